@@ -8,6 +8,8 @@ const debug = util.debuglog('koa:application');
 const Emitter = require('node:events');
 const Stream = require('node:stream');
 const http = require('node:http');
+const https = require('node:https');
+const http2 = require('node:http2');
 const { AsyncLocalStorage } = require('node:async_hooks');
 
 const onFinished = require('on-finished');
@@ -18,10 +20,33 @@ const { HttpError } = require('http-errors');
 const request = require('./request');
 const response = require('./response');
 const context = require('./context');
+const FallbackBody = require('./fallback-body.js');
+const Serializers = require('./serializers.js');
+const { isRangeable, applyRange } = require('./range.js');
+const applyETag = require('./etag.js');
+const compress = require('./compress.js');
+const metrics = require('./metrics.js');
+const digest = require('./digest.js');
+const {
+  REPLACEMENT_POLICIES,
+  cleanupBody,
+} = require('./release-body.js');
+const {
+  InjectedRequest,
+  InjectedResponse,
+  toResponse,
+} = require('./inject.js');
+const isIterable = require('./is-iterable.js');
 const isStream = require('./is-stream.js');
 const only = require('./only.js');
+const responseFinished = require('./response-finished.js');
 console.log('updated application');
 
+const http2Connections = new WeakMap();
+const abortControllers = new WeakMap();
+const startedBodies = new WeakMap();
+const injectedStreams = new WeakMap();
+
 /** @typedef {typeof import ('./context') & {
  *  app: Application
  *  req: import('http').IncomingMessage
@@ -30,6 +55,7 @@ console.log('updated application');
  *  response: KoaResponse
  *  state: any
  *  originalUrl: string
+ *  signal: AbortSignal
  * }} Context */
 
 /** @typedef {typeof import('./request')} KoaRequest */
@@ -59,6 +85,15 @@ module.exports = class Application extends Emitter {
    * @param {number} [options.maxIpsCount] Max IPs read from proxy IP header, default to 0 (means infinity)
    * @param {function} [options.compose] Function to handle middleware composition
    * @param {boolean} [options.asyncLocalStorage] Enable AsyncLocalStorage, default to false
+   * @param {string|function} [options.streamReplacement='destroy'] What to do with a body stream that gets replaced: 'destroy', 'drain', 'keep' or `fn(body, ctx)`
+   * @param {object} [options.json] JSON serializer options: `replacer`, `spaces` (default to 2 in development), `bigint` ('error' or 'string'), `circular` ('error' or 'mark') and `strict` (serialize object bodies when they are assigned)
+   * @param {boolean} [options.etag] Set ETags on responses and answer fresh GET and HEAD requests with 304, default to false
+   * @param {boolean|object} [options.compress] Compress responses with brotli, gzip or deflate as negotiated: `threshold`, `filter(type, ctx)`, `encodings` and per-encoding zlib options, default to false
+   * @param {boolean} [options.ranges=true] Answer Range requests for Buffer, Blob and file stream bodies
+   * @param {object} [options.streamTimeout] Limits for streaming a body, in ms: `idle` without data and `total`
+   * @param {number} [options.maxResponseBytes] Fail stream and JSON bodies larger than this many bytes
+   * @param {number} [options.requestTimeout] Abort `ctx.signal` when a response takes longer than this many ms, and answer 503 if it has not started
+   * @param {boolean} [options.detectBodyLeaks] Report body streams that are still open once the response finishes, default to false
    *
    */
 
@@ -71,11 +106,34 @@ module.exports = class Application extends Emitter {
     this.maxIpsCount = options.maxIpsCount || 0;
     this.env = options.env || process.env.NODE_ENV || 'development';
     this.compose = options.compose || compose;
+    this.etag = options.etag || false;
+    this.compress = compress.normalize(options.compress);
+    this.ranges = options.ranges !== false;
+    this.streamTimeout = options.streamTimeout;
+    this.maxResponseBytes = options.maxResponseBytes;
+    this.requestTimeout = options.requestTimeout;
+    this.detectBodyLeaks = options.detectBodyLeaks || false;
+    this.streamReplacement = options.streamReplacement || 'destroy';
+    if (
+      typeof this.streamReplacement !== 'function' &&
+      !REPLACEMENT_POLICIES.includes(this.streamReplacement)
+    ) {
+      throw new TypeError(
+        `invalid stream replacement policy: ${this.streamReplacement}`
+      );
+    }
     if (options.keys) this.keys = options.keys;
+    this.draining = false;
+    this.servers = new Set();
+    this.inflight = new Map();
     this.middleware = [];
     this.context = Object.create(context);
     this.request = Object.create(request);
     this.response = Object.create(response);
+    this.serializers = new Serializers({
+      spaces: this.env === 'development' ? 2 : undefined,
+      ...options.json,
+    });
     // util.inspect.custom support for node 6+
     /* istanbul ignore else */
     if (util.inspect.custom) {
@@ -95,17 +153,165 @@ module.exports = class Application extends Emitter {
    *
    *    http.createServer(app.callback()).listen(...)
    *
+   * Given listen options with `tls` and/or `http2`, creates the matching
+   * `https` or `http2` server instead:
+   *
+   *    app.listen({ port: 443, tls: { key, cert }, http2: true })
+   *
+   * A secure HTTP/2 server also answers HTTP/1 clients unless
+   * `allowHTTP1` is false. Stream bodies are released when the peer
+   * resets their HTTP/2 stream.
+   *
    * @param {Mixed} ...
-   * @return {import('http').Server}
+   * @return {import('http').Server|import('https').Server|import('http2').Http2Server}
    * @api public
    */
 
   listen(...args) {
     debug('listen');
-    const server = http.createServer(this.callback());
+    let server;
+    const [options] = args;
+    if (
+      options &&
+      typeof options === 'object' &&
+      ('tls' in options || 'http2' in options)
+    ) {
+      const { tls, http2: h2, allowHTTP1, ...listenOptions } = options;
+      server = createServer(this.callback(), { tls, h2, allowHTTP1 });
+      args[0] = listenOptions;
+    } else {
+      server = http.createServer(this.callback());
+    }
+    this.servers.add(server);
+    server.once('close', () => this.servers.delete(server));
     return server.listen(...args);
   }
 
+  /**
+   * Shut down gracefully: set `app.draining`, stop the servers from
+   * `listen()` accepting connections and close their idle keep-alive
+   * sockets, then wait for in-flight requests to be handled and their
+   * bodies sent. Bodies still streaming after `timeout` ms are released
+   * like replaced bodies and their sockets closed.
+   *
+   * @param {object} [options]
+   * @param {number} [options.timeout=10000] Time to wait for in-flight requests, in ms
+   * @return {Promise<void>} Resolves once the servers have closed
+   * @api public
+   */
+
+  async close({ timeout = 10e3 } = {}) {
+    debug('close');
+    this.draining = true;
+    const servers = [...this.servers];
+    const closed = servers.map(
+      (server) => new Promise((resolve) => server.close(() => resolve()))
+    );
+    for (const ctx of this.inflight.keys()) closeAfterResponse(ctx);
+    for (const server of servers) closeIdleConnections(server);
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(resolve, timeout, true);
+    });
+    const drained = Promise.all(this.inflight.values()).then(() => false);
+    const expired = await Promise.race([drained, timedOut]);
+    clearTimeout(timer);
+
+    if (expired) {
+      for (const ctx of this.inflight.keys()) {
+        debug('destroying in-flight response %s', ctx.url);
+        abortControllers
+          .get(ctx)
+          .abort(
+            new DOMException('The application is shutting down', 'AbortError')
+          );
+        ctx.res.destroy();
+      }
+      for (const server of servers) closeAllConnections(server);
+    }
+
+    await Promise.all(closed);
+  }
+
+  /**
+   * Run a request through the app in process, without a socket, and
+   * collect the response, streamed bodies included. `streams` lists the
+   * stream bodies set while handling it, in order, and whether they
+   * have been destroyed.
+   *
+   *    const { status, body } = await app.inject({ url: '/users/1' });
+   *
+   * @param {object} [options]
+   * @param {string} [options.method='GET'] Request method
+   * @param {string} [options.url='/'] Request URL
+   * @param {object} [options.headers] Request headers
+   * @param {string|Buffer|object|ReadableStream} [options.body] Request body, objects are sent as JSON
+   * @return {Promise<{status: number, headers: object, body: Buffer, trailers: object, streams: {stream: Stream, destroyed: boolean}[]}>}
+   * @api public
+   */
+
+  inject(options) {
+    const req = new InjectedRequest(options);
+    const res = new InjectedResponse(req);
+    const streams = [];
+    injectedStreams.set(req, streams);
+    if (!this.listeners('body:set').includes(recordInjectedStream)) {
+      this.on('body:set', recordInjectedStream);
+    }
+
+    const finished = new Promise((resolve) => onFinished(res, resolve));
+    this.callback()(req, res);
+
+    return finished.then(
+      () =>
+        // let the body pipeline settle first
+        new Promise((resolve) => setImmediate(resolve)).then(() => ({
+          status: res.statusCode,
+          headers: res.getHeaders(),
+          body: Buffer.concat(res.chunks),
+          trailers: res.trailers,
+          streams: streams.map((stream) => ({
+            stream,
+            destroyed: stream.destroyed,
+          })),
+        }))
+    );
+  }
+
+  /**
+   * Handle a WHATWG `Request` without a socket, like a fetch handler,
+   * and resolve with a `Response` once the headers are sent. Its body
+   * streams `ctx.body`; cancelling it, or aborting the request's
+   * signal, tears the body down like a client going away.
+   *
+   *    const response = await app.fetch(new Request('http://localhost/'));
+   *
+   * @param {Request} request
+   * @return {Promise<Response>}
+   * @api public
+   */
+
+  fetch(request) {
+    const url = new URL(request.url);
+    const req = new InjectedRequest({
+      method: request.method,
+      url: url.pathname + url.search,
+      headers: { host: url.host, ...Object.fromEntries(request.headers) },
+      body: request.body,
+    });
+    req.socket.encrypted = url.protocol === 'https:';
+    const res = new InjectedResponse(req);
+    const response = toResponse(res);
+    const onAbort = () => res.destroy();
+    request.signal.addEventListener('abort', onAbort, { once: true });
+    res.once('close', () =>
+      request.signal.removeEventListener('abort', onAbort)
+    );
+    this.callback()(req, res);
+    return response;
+  }
+
   /**
    * Return JSON representation.
    * We only bother showing settings.
@@ -181,6 +387,23 @@ module.exports = class Application extends Emitter {
     if (this.ctxStorage) return this.ctxStorage.getStore();
   }
 
+  /**
+   * Send the response of `ctx` now, while the middleware is still
+   * running, and keep Koa from sending it again once it returns.
+   * Status and headers are committed: `response.writer()` starts its
+   * stream this way so that writes are paced by the client. The stream
+   * is ended once the middleware returns, or destroyed if it throws.
+   *
+   * @param {Context} ctx
+   * @api private
+   */
+
+  respondNow(ctx) {
+    respond(ctx);
+    ctx.respond = false;
+    startedBodies.set(ctx, ctx.body);
+  }
+
   /**
    * Handle request in callback.
    *
@@ -193,7 +416,39 @@ module.exports = class Application extends Emitter {
     const onerror = (err) => ctx.onerror(err);
     const handleResponse = () => respond(ctx);
     onFinished(res, onerror);
-    return fnMiddleware(ctx).then(handleResponse).catch(onerror);
+    metrics.track(ctx);
+    if (this.detectBodyLeaks) onFinished(res, () => reportBodyLeaks(ctx));
+    if (this.draining) closeAfterResponse(ctx);
+    watchAbort(ctx);
+    const handled = fnMiddleware(ctx)
+      .then(
+        () => settleStartedBody(ctx),
+        (err) => settleStartedBody(ctx, err)
+      )
+      .then(handleResponse)
+      .catch(onerror);
+    this.trackInflight(ctx, handled);
+    return handled;
+  }
+
+  /**
+   * Record `ctx` as in flight until it has been handled and its
+   * response has finished. While draining, each response that
+   * finishes lets idle keep-alive sockets close.
+   *
+   * @param {Context} ctx
+   * @param {Promise} handled
+   * @api private
+   */
+
+  trackInflight(ctx, handled) {
+    const finished = new Promise((resolve) => onFinished(ctx.res, resolve));
+    const done = Promise.allSettled([handled, finished]).then(() => {
+      this.inflight.delete(ctx);
+      if (!this.draining) return;
+      for (const server of this.servers) closeIdleConnections(server);
+    });
+    this.inflight.set(ctx, done);
   }
 
   /**
@@ -217,6 +472,9 @@ module.exports = class Application extends Emitter {
     response.request = request;
     context.originalUrl = request.originalUrl = req.url;
     context.state = {};
+    const controller = new AbortController();
+    abortControllers.set(context, controller);
+    context.signal = controller.signal;
     return context;
   }
 
@@ -257,8 +515,10 @@ module.exports = class Application extends Emitter {
 
 /**
  * Pipe body stream to response with proper error handling
- * Converts web streams (Blob, ReadableStream, Response) to Node.js streams
- * @param {Blob|ReadableStream|Response|Stream} body
+ * Converts web streams (Blob, ReadableStream, Response) and iterables to Node.js streams
+ * Compresses through the same pipeline when `app.compress` negotiates an encoding
+ * Emits `stream:finished` or `stream:error` on the app once the pipeline settles
+ * @param {Blob|ReadableStream|Response|Stream|AsyncIterable} body
  * @param {http.ServerResponse} res
  * @param {Context} ctx
  * @return {boolean} true if body was handled as a stream
@@ -271,9 +531,29 @@ function pipeBodyToResponse(body, res, ctx) {
   else if (body instanceof Response)
     stream = Stream.Readable.from(body?.body || '');
   else if (isStream(body)) stream = body;
+  else if (isIterable(body)) stream = Stream.Readable.from(body);
 
   if (stream) {
-    Stream.pipeline(stream, res, (err) => {
+    const encoder = compress.createEncoder(ctx);
+    const counter = countBytes(ctx);
+    const { meter, end } = metrics.meter(ctx);
+    const hasher = digest.createHasher(ctx);
+    const trailers = sendTrailers(ctx);
+    const streams = [
+      stream,
+      counter,
+      encoder,
+      hasher,
+      meter,
+      trailers,
+      res,
+    ].filter(Boolean);
+    const clearTimeouts = watchStreamTimeouts(stream, ctx);
+    Stream.pipeline(...streams, (err) => {
+      clearTimeouts();
+      end(err);
+      if (err) ctx.app.emit('stream:error', { ctx, body, error: err });
+      else ctx.app.emit('stream:finished', { ctx, body });
       const hasErrorListener = err && ctx.app.listenerCount('error') > 0;
       if (hasErrorListener) {
         ctx.onerror(err);
@@ -285,6 +565,444 @@ function pipeBodyToResponse(body, res, ctx) {
   return false;
 }
 
+/**
+ * Return a stream counting the body bytes on their way to the response,
+ * which fails the pipeline, and so aborts the socket, when they exceed
+ * `app.maxResponseBytes` or do not add up to the Content-Length. Returns
+ * null when there is nothing to check.
+ * @param {Context} ctx
+ * @return {Stream.Transform|null}
+ */
+function countBytes(ctx) {
+  const max = ctx.app.maxResponseBytes;
+  const declared = ctx.response.has('Content-Length')
+    ? Number(ctx.response.get('Content-Length'))
+    : undefined;
+  if (!max && declared === undefined) return null;
+
+  let bytes = 0;
+  return new Stream.Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (declared !== undefined && bytes > declared) {
+        return callback(
+          bodySizeError(
+            `response body exceeds its Content-Length of ${declared} bytes`,
+            'ERR_CONTENT_LENGTH_MISMATCH'
+          )
+        );
+      }
+      if (max && bytes > max) {
+        return callback(
+          bodySizeError(
+            `response body exceeds ${max} bytes`,
+            'ERR_RESPONSE_TOO_LARGE'
+          )
+        );
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (declared === undefined || bytes === declared) return callback();
+      callback(
+        bodySizeError(
+          `response body ended after ${bytes} of its Content-Length of ${declared} bytes`,
+          'ERR_CONTENT_LENGTH_MISMATCH'
+        )
+      );
+    },
+  });
+}
+
+/**
+ * Return a stream adding the trailers from `ctx.response.trailers()` to
+ * the response once the body has ended, after announcing them in the
+ * Trailer header. Returns null when there are none, or the response
+ * cannot carry them: HTTP/1.0, a Content-Length or headers already sent.
+ * @param {Context} ctx
+ * @return {Stream.Transform|null}
+ */
+function sendTrailers(ctx) {
+  const trailers = ctx.response._trailers;
+  if (!trailers || ctx.res.headersSent) return null;
+  const { httpVersionMajor, httpVersionMinor } = ctx.req;
+  const chunked =
+    httpVersionMajor === 1 &&
+    httpVersionMinor >= 1 &&
+    !ctx.response.has('Content-Length');
+  if (!chunked && httpVersionMajor < 2) return null;
+
+  const names = trailers.flatMap(({ names }) => names);
+  if (names.length) ctx.set('Trailer', names.join(', '));
+
+  return new Stream.Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, chunk);
+    },
+    flush(callback) {
+      Promise.all(trailers.map(({ fn }) => fn(ctx))).then((fields) => {
+        ctx.res.addTrailers(Object.assign({}, ...fields));
+        callback();
+      }, callback);
+    },
+  });
+}
+
+/**
+ * Create an error for a body of the wrong size.
+ * @param {string} message
+ * @param {string} code
+ * @return {Error}
+ */
+function bodySizeError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Destroy the body stream, and with it the pipeline and the socket,
+ * when it goes `idle` ms without data or streams for `total` ms, per
+ * `ctx.response.streamTimeout`. Time spent paused, waiting for a slow
+ * client to drain the response, does not count as idle. The pipeline
+ * reports the error, with
+ * code ERR_STREAM_IDLE_TIMEOUT or ERR_STREAM_TOTAL_TIMEOUT.
+ * @param {Stream} stream
+ * @param {Context} ctx
+ * @return {Function} clears the timers
+ */
+function watchStreamTimeouts(stream, ctx) {
+  const { idle, total } = ctx.response.streamTimeout || {};
+  const timers = [];
+  const timeout = (message, code) => () => {
+    const err = new Error(message);
+    err.code = code;
+    stream.destroy(err);
+  };
+
+  if (idle > 0) {
+    const onIdle = timeout(
+      `body stream idle for ${idle}ms`,
+      'ERR_STREAM_IDLE_TIMEOUT'
+    );
+    const timer = setTimeout(() => {
+      // paused by the pipeline: the client is slow, not the body
+      if (stream.readableFlowing === false) timer.refresh();
+      else onIdle();
+    }, idle);
+    stream.on('data', () => timer.refresh());
+    timers.push(timer);
+  }
+  if (total > 0) {
+    timers.push(
+      setTimeout(
+        timeout(`body stream took over ${total}ms`, 'ERR_STREAM_TOTAL_TIMEOUT'),
+        total
+      )
+    );
+  }
+
+  return () => timers.forEach(clearTimeout);
+}
+
+/**
+ * Create an `http`, `https`, HTTP/2 or secure HTTP/2 server for `listen()`.
+ * HTTP/2 servers keep track of their sessions and sockets, which they
+ * do not close on their own when shutting down.
+ * @param {Function} handler
+ * @param {object} options
+ * @param {object} [options.tls] Options for the secure server: `key`, `cert`, ...
+ * @param {boolean} [options.h2] Serve HTTP/2
+ * @param {boolean} [options.allowHTTP1=true] Also serve HTTP/1 on a secure HTTP/2 server
+ * @return {import('http').Server|import('http2').Http2Server}
+ */
+function createServer(handler, { tls, h2, allowHTTP1 = true }) {
+  if (!h2) {
+    return tls
+      ? https.createServer(tls, handler)
+      : http.createServer(handler);
+  }
+
+  const server = tls
+    ? http2.createSecureServer({ allowHTTP1, ...tls }, handler)
+    : http2.createServer(handler);
+  const connections = { sessions: new Set(), sockets: new Set() };
+  server.on('session', (session) => {
+    connections.sessions.add(session);
+    session.once('close', () => connections.sessions.delete(session));
+  });
+  server.on(tls ? 'secureConnection' : 'connection', (socket) => {
+    connections.sockets.add(socket);
+    socket.once('close', () => connections.sockets.delete(socket));
+  });
+  http2Connections.set(server, connections);
+  return server;
+}
+
+/**
+ * Close the idle connections of a server: idle keep-alive sockets, or
+ * HTTP/2 sessions once their open streams are done.
+ * @param {import('net').Server} server
+ */
+function closeIdleConnections(server) {
+  const connections = http2Connections.get(server);
+  if (!connections) return server.closeIdleConnections();
+  for (const session of connections.sessions) session.close();
+}
+
+/**
+ * Close all the connections of a server.
+ * @param {import('net').Server} server
+ */
+function closeAllConnections(server) {
+  const connections = http2Connections.get(server);
+  if (!connections) return server.closeAllConnections();
+  for (const session of connections.sessions) session.destroy();
+  for (const socket of connections.sockets) socket.destroy();
+}
+
+/**
+ * Settle the body stream started by `app.respondNow()` once the
+ * middleware has: end it if it was left open, or destroy it with the
+ * middleware's error, which the body pipeline then reports. Any other
+ * error is rethrown.
+ * @param {Context} ctx
+ * @param {Error} [err]
+ */
+function settleStartedBody(ctx, err) {
+  const body = startedBodies.get(ctx);
+  if (!body || body.destroyed || body.writableEnded) {
+    if (err) throw err;
+    return;
+  }
+  if (err) body.destroy(err);
+  else body.end();
+}
+
+/**
+ * Abort `ctx.signal` when the client goes away before the response has
+ * finished, or when it is not done within `app.requestTimeout`, and
+ * then release the body: stream bodies are destroyed, web streams
+ * cancelled, and a body already being sent stops with the response.
+ * A request that times out before responding is answered with a 503.
+ * @param {Context} ctx
+ */
+function watchAbort(ctx) {
+  const { res } = ctx;
+  const controller = abortControllers.get(ctx);
+  const { requestTimeout } = ctx.app;
+  const timer =
+    requestTimeout > 0 &&
+    setTimeout(() => {
+      controller.abort(
+        new DOMException(
+          `The request was not done within ${requestTimeout}ms`,
+          'TimeoutError'
+        )
+      );
+    }, requestTimeout);
+
+  res.once('close', () => {
+    clearTimeout(timer);
+    if (responseFinished(res)) return;
+    controller.abort(
+      new DOMException('The client closed the connection', 'AbortError')
+    );
+  });
+
+  ctx.signal.addEventListener(
+    'abort',
+    () => {
+      debug('request aborted %s: %s', ctx.url, ctx.signal.reason.message);
+      cleanupBody(ctx.body);
+      if (res.headersSent) res.destroy();
+    },
+    { once: true }
+  );
+}
+
+/**
+ * Ask the client to close the connection after this response, so a
+ * keep-alive socket does not outlive the app. HTTP/2 streams have no
+ * such header.
+ * @param {Context} ctx
+ */
+function closeAfterResponse(ctx) {
+  if (ctx.headerSent || ctx.req.httpVersionMajor >= 2) return;
+  ctx.set('Connection', 'close');
+}
+
+/**
+ * Record a stream body set while handling a request from `app.inject()`.
+ * One listener serves all of them, keyed by the injected request.
+ * @param {object} event
+ * @param {Context} event.ctx
+ * @param {*} event.body
+ */
+function recordInjectedStream({ ctx, body }) {
+  const streams = injectedStreams.get(ctx.req);
+  if (streams && isStream(body) && !streams.includes(body)) {
+    streams.push(body);
+  }
+}
+
+/**
+ * Report body streams assigned during the request that never closed.
+ * Emits `body:leak` with the stack of the assignment, or prints a
+ * warning when nothing listens for it.
+ * Runs on the next turn so the destroy hooks registered by the body
+ * setter have fired first.
+ * @param {Context} ctx
+ */
+function reportBodyLeaks(ctx) {
+  setImmediate(() => {
+    const tracked = ctx.response._trackedStreams || [];
+    for (const { stream, stack, closed } of tracked) {
+      if (closed || stream.destroyed) continue;
+      const leak = { ctx, stream, stack };
+      if (ctx.app.listenerCount('body:leak')) {
+        ctx.app.emit('body:leak', leak);
+      } else {
+        const msg = `body stream still open after response finished\n${stack}`;
+        console.warn(`\n${msg.replace(/^/gm, '  ')}\n`);
+      }
+    }
+  });
+}
+
+/**
+ * Resolve when a Node stream has a first chunk (or has ended),
+ * reject if it errors or closes before that.
+ * @param {Stream} stream
+ * @return {Promise<void>}
+ */
+function waitForFirstChunk(stream) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.removeListener('readable', onReadable);
+      stream.removeListener('error', onError);
+      stream.removeListener('close', onClose);
+    };
+    const onReadable = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    const onClose = () => onError(new Error('body stream closed before its first chunk'));
+    stream.on('readable', onReadable);
+    stream.on('error', onError);
+    stream.on('close', onClose);
+  });
+}
+
+/**
+ * Read the first chunk of a `ReadableStream`, rejecting if it errors
+ * before that, and return a stream of the whole content.
+ * @param {ReadableStream} stream
+ * @return {Promise<ReadableStream>}
+ */
+async function peekReadableStream(stream) {
+  const reader = stream.getReader();
+  const first = await reader.read();
+  return new ReadableStream({
+    start(controller) {
+      if (first.done) controller.close();
+      else controller.enqueue(first.value);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
+
+/**
+ * Open a fallback candidate: a `Response` must be ok, and stream bodies
+ * must produce their first chunk. A candidate that fails is released.
+ * @param {Function} open
+ * @param {Context} ctx
+ * @return {Promise<Mixed>} the body to respond with
+ */
+async function openCandidate(open, ctx) {
+  const body = await open(ctx);
+  try {
+    if (isStream(body)) await waitForFirstChunk(body);
+    if (body instanceof ReadableStream) return await peekReadableStream(body);
+    if (!(body instanceof Response)) return body;
+    if (!body.ok) throw new Error(`candidate responded ${body.status}`);
+    if (!body.body) return body;
+    const { status, statusText, headers } = body;
+    return new Response(await peekReadableStream(body.body), {
+      status,
+      statusText,
+      headers,
+    });
+  } catch (err) {
+    cleanupBody(body);
+    throw err;
+  }
+}
+
+/**
+ * Open the candidates of a fallback body in order and respond with the
+ * first one that works. Emits `body:fallback` for every skipped
+ * candidate and rejects with the last error if none works.
+ * @param {Context} ctx
+ * @param {FallbackBody} fallback
+ * @return {Promise<void>}
+ */
+async function respondWithFallback(ctx, fallback) {
+  let error;
+  for (const [index, open] of fallback.candidates.entries()) {
+    let body;
+    try {
+      body = await openCandidate(open, ctx);
+    } catch (err) {
+      error = err;
+      ctx.app.emit('body:fallback', { ctx, index, error: err });
+      continue;
+    }
+    ctx.body = body;
+    return respond(ctx);
+  }
+  throw error;
+}
+
+/**
+ * Call a lazy body factory and respond with what it returns.
+ * @param {Context} ctx
+ * @param {Function} factory
+ * @return {Promise<void>}
+ */
+async function respondWithLazyBody(ctx, factory) {
+  ctx.body = await factory(ctx);
+  return respond(ctx);
+}
+
+/**
+ * End the response with in-memory `data`, or stream it through the
+ * encoder when compression is negotiated.
+ * @param {Context} ctx
+ * @param {Buffer|string} data
+ */
+function respondWithData(ctx, data) {
+  const encoder = compress.createEncoder(ctx);
+  if (!encoder) {
+    digest.setHeader(ctx, data);
+    metrics.write(ctx, Buffer.byteLength(data));
+    return ctx.res.end(data);
+  }
+  encoder.end(data);
+  pipeBodyToResponse(encoder, ctx.res, ctx);
+}
+
 /**
  * Response helper.
  */
@@ -295,7 +1013,16 @@ function respond(ctx) {
 
   const res = ctx.res;
 
-  if (!ctx.writable) return res.end();
+  if (!ctx.writable) {
+    // nobody will read the body, release it
+    cleanupBody(ctx.body);
+    return res.end();
+  }
+
+  // timed out before responding: the body was released with the request
+  if (ctx.signal.aborted) {
+    ctx.throw(503, ctx.signal.reason.message, { cause: ctx.signal.reason });
+  }
 
   let body = ctx.body;
   const code = ctx.status;
@@ -303,15 +1030,39 @@ function respond(ctx) {
   // ignore body
   if (statuses.empty[code]) {
     // strip headers
-    ctx.body = null;
+    ctx.response.replaceBody(null);
     return res.end();
   }
 
+  // conditional GET
+  if (
+    ctx.app.etag &&
+    code === 200 &&
+    (ctx.method === 'GET' || ctx.method === 'HEAD')
+  ) {
+    const pending = applyETag(ctx);
+    if (pending) return pending.then(() => respond(ctx));
+    if (ctx.status === 304) return res.end();
+  }
+
+  // byte ranges, once: applyRange() sets Accept-Ranges
+  if (
+    ctx.app.ranges &&
+    code === 200 &&
+    !ctx.response.has('Accept-Ranges') &&
+    isRangeable(body)
+  ) {
+    const pending = applyRange(ctx);
+    if (pending) return pending.then(() => respond(ctx));
+    return respond(ctx);
+  }
+
   if (ctx.method === 'HEAD') {
     if (!res.headersSent && !ctx.response.has('Content-Length')) {
       const { length } = ctx.response;
       if (Number.isInteger(length)) ctx.length = length;
     }
+    compress.negotiate(ctx);
     return res.end();
   }
 
@@ -332,23 +1083,33 @@ function respond(ctx) {
       ctx.type = 'text';
       ctx.length = Buffer.byteLength(body);
     }
+    metrics.write(ctx, Buffer.byteLength(body));
     return res.end(body);
   }
 
   // responses
 
-  if (Buffer.isBuffer(body)) return res.end(body);
-  if (typeof body === 'string') return res.end(body);
+  if (typeof body === 'function') return respondWithLazyBody(ctx, body);
+  if (body instanceof FallbackBody) return respondWithFallback(ctx, body);
+  if (Buffer.isBuffer(body)) return respondWithData(ctx, body);
+  if (typeof body === 'string') return respondWithData(ctx, body);
 
-  // Handle streams (Blob, ReadableStream, Response, Node.js streams)
+  // Handle streams (Blob, ReadableStream, Response, Node.js streams, iterables)
   if (pipeBodyToResponse(body, res, ctx)) return;
 
-  // body: json
-  body = JSON.stringify(body);
+  // body: json, or as registered in app.serializers
+  body = ctx.app.serializers.serializeOnce(ctx.response.type, body, ctx);
+  const max = ctx.app.maxResponseBytes;
+  if (max && Buffer.byteLength(body) > max) {
+    throw bodySizeError(
+      `response body exceeds ${max} bytes`,
+      'ERR_RESPONSE_TOO_LARGE'
+    );
+  }
   if (!res.headersSent) {
     ctx.length = Buffer.byteLength(body);
   }
-  res.end(body);
+  respondWithData(ctx, body);
 }
 
 /**
@@ -0,0 +1,25 @@
+'use strict'
+
+const FallbackBody = require('./fallback-body.js')
+const isIterable = require('./is-iterable.js')
+const isStream = require('./is-stream.js')
+
+/**
+ * Return the kind of a body, as reported by the body lifecycle events:
+ * "null", "lazy", "string", "buffer", "stream", "readablestream",
+ * "blob", "response", "fallback", "iterable" or "json".
+ */
+
+module.exports = (body) => {
+  if (body == null) return 'null'
+  if (typeof body === 'function') return 'lazy'
+  if (typeof body === 'string') return 'string'
+  if (Buffer.isBuffer(body)) return 'buffer'
+  if (isStream(body)) return 'stream'
+  if (body instanceof ReadableStream) return 'readablestream'
+  if (body instanceof Blob) return 'blob'
+  if (body instanceof Response) return 'response'
+  if (body instanceof FallbackBody) return 'fallback'
+  if (isIterable(body)) return 'iterable'
+  return 'json'
+}
@@ -0,0 +1,92 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const zlib = require('node:zlib')
+
+const ENCODERS = {
+  br: options => zlib.createBrotliCompress({
+    params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 },
+    ...options
+  }),
+  gzip: options => zlib.createGzip(options),
+  deflate: options => zlib.createDeflate(options)
+}
+
+const COMPRESSIBLE = /^(?:text\/|application\/(?:json|javascript|xml|x-ndjson)$|image\/svg\+xml$)|\+(?:json|xml)$/i
+
+/**
+ * Normalize the `compress` application option.
+ *
+ * @param {Boolean|Object} [options]
+ * @param {Number} [options.threshold=1024] minimum Content-Length to compress
+ * @param {Function} [options.filter] `fn(type, ctx)` returning true for compressible types
+ * @param {String[]} [options.encodings=['br', 'gzip', 'deflate']] by preference
+ * @param {Object} [options.br] brotli options, likewise `gzip` and `deflate`
+ * @return {Object|false}
+ * @api private
+ */
+
+exports.normalize = (options) => {
+  if (!options) return false
+  options = options === true ? {} : options
+  const encodings = options.encodings || Object.keys(ENCODERS)
+  for (const encoding of encodings) {
+    if (!ENCODERS[encoding]) throw new TypeError(`unsupported encoding: ${encoding}`)
+  }
+  return {
+    ...options,
+    threshold: options.threshold ?? 1024,
+    // event streams must reach the client as they are written
+    filter: options.filter || (type => type !== 'text/event-stream' && COMPRESSIBLE.test(type)),
+    encodings
+  }
+}
+
+/**
+ * Negotiate compression for the response from Accept-Encoding and
+ * return the zlib stream to pipe the body through, or null.
+ *
+ * @param {Context} ctx
+ * @return {import('stream').Transform|null}
+ * @api private
+ */
+
+exports.createEncoder = (ctx) => {
+  const encoding = exports.negotiate(ctx)
+  return encoding && ENCODERS[encoding](ctx.app.compress[encoding])
+}
+
+/**
+ * Negotiate compression for the response from Accept-Encoding and
+ * return the encoding, or null. Sets Vary and Content-Encoding, drops
+ * Content-Length and weakens a strong ETag accordingly: the encoded
+ * content is not byte for byte the one the ETag was computed from.
+ * HEAD requests use it to send the headers GET would.
+ *
+ * @param {Context} ctx
+ * @return {String|null}
+ * @api private
+ */
+
+exports.negotiate = (ctx) => {
+  const options = ctx.app.compress
+  if (!options || ctx.headerSent) return null
+
+  const { response } = ctx
+  if (response.has('Content-Encoding') || response.has('Content-Range')) return null
+  if (!options.filter(response.type, ctx)) return null
+  if (response.has('Content-Length') && response.length < options.threshold) return null
+
+  response.vary('Accept-Encoding')
+  const encoding = ctx.acceptsEncodings([...options.encodings, 'identity'])
+  if (!encoding || encoding === 'identity') return null
+
+  response.set('Content-Encoding', encoding)
+  response.remove('Content-Length')
+  const etag = response.get('ETag')
+  if (etag && !etag.startsWith('W/')) response.set('ETag', `W/${etag}`)
+  return encoding
+}
@@ -0,0 +1,80 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const crypto = require('node:crypto')
+const { Transform } = require('node:stream')
+
+const ALGORITHMS = {
+  'sha-256': 'sha256',
+  'sha-512': 'sha512'
+}
+
+/**
+ * Check if `algorithm` is a supported RFC 9530 digest algorithm.
+ *
+ * @param {String} algorithm
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.supports = (algorithm) => Object.hasOwn(ALGORITHMS, algorithm)
+
+/**
+ * Set the Content-Digest header for a body sent in one piece, as
+ * requested by `ctx.response.digest`.
+ *
+ * @param {Context} ctx
+ * @param {String|Buffer} data
+ * @api private
+ */
+
+exports.setHeader = (ctx, data) => {
+  const algorithm = ctx.response.digest
+  if (!algorithm || ctx.headerSent) return
+  const hash = crypto.createHash(ALGORITHMS[algorithm]).update(data)
+  ctx.set('Content-Digest', field(algorithm, hash))
+}
+
+/**
+ * Return a stream hashing a streamed body on its way to the response,
+ * as requested by `ctx.response.digest`, and register the
+ * Content-Digest trailer that delivers the result. Returns null when
+ * no digest was requested.
+ *
+ * @param {Context} ctx
+ * @return {Transform|null}
+ * @api private
+ */
+
+exports.createHasher = (ctx) => {
+  const algorithm = ctx.response.digest
+  if (!algorithm || ctx.headerSent) return null
+
+  const hash = crypto.createHash(ALGORITHMS[algorithm])
+  ctx.response.trailers(['Content-Digest'], () => ({
+    'Content-Digest': field(algorithm, hash)
+  }))
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      hash.update(chunk)
+      callback(null, chunk)
+    }
+  })
+}
+
+/**
+ * Format a Content-Digest field value.
+ *
+ * @param {String} algorithm
+ * @param {Hash} hash
+ * @return {String}
+ * @api private
+ */
+
+function field (algorithm, hash) {
+  return `${algorithm}=:${hash.digest('base64')}:`
+}
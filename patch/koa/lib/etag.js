@@ -0,0 +1,78 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const crypto = require('node:crypto')
+const fs = require('node:fs')
+
+const bodyKind = require('./body-kind.js')
+
+const checked = new WeakSet()
+
+/**
+ * Set an ETag the response does not have yet, then answer fresh
+ * requests with 304. String, Buffer and serialized object bodies get
+ * a strong ETag from their content; untouched file streams get a weak
+ * one, and a Last-Modified date, from `fs.stat()`. Setting the 304
+ * status drops the body, which releases a stream body like any other
+ * replaced body.
+ *
+ * Runs once per context and returns a promise when a file has to be
+ * stat'ed.
+ *
+ * @param {Context} ctx
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+module.exports = (ctx) => {
+  if (checked.has(ctx)) return
+  checked.add(ctx)
+  if (ctx.response.has('ETag')) return respondFresh(ctx)
+
+  const { body } = ctx
+  const kind = bodyKind(body)
+  if (kind === 'string' || kind === 'buffer' || kind === 'json') {
+    const data = kind === 'json'
+      ? ctx.app.serializers.serializeOnce(ctx.response.type, body, ctx)
+      : body
+    ctx.response.etag = strongETag(data)
+    return respondFresh(ctx)
+  }
+
+  if (body instanceof fs.ReadStream && typeof body.path === 'string' && !body.bytesRead) {
+    return fs.promises.stat(body.path).then(stat => {
+      ctx.response.etag = `W/"${stat.size.toString(16)}-${stat.mtime.getTime().toString(16)}"`
+      if (!ctx.response.has('Last-Modified')) ctx.response.lastModified = stat.mtime
+      respondFresh(ctx)
+    }, () => respondFresh(ctx))
+  }
+
+  return respondFresh(ctx)
+}
+
+/**
+ * Respond 304 if the request is fresh.
+ *
+ * @param {Context} ctx
+ * @api private
+ */
+
+function respondFresh (ctx) {
+  if (ctx.fresh) ctx.status = 304
+}
+
+/**
+ * Return a strong ETag for `data`, from its length and SHA-1.
+ *
+ * @param {String|Buffer} data
+ * @return {String}
+ * @api private
+ */
+
+function strongETag (data) {
+  const hash = crypto.createHash('sha1').update(data).digest('base64').substring(0, 27)
+  return `"${Buffer.byteLength(data).toString(16)}-${hash}"`
+}
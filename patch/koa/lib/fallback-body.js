@@ -0,0 +1,23 @@
+'use strict'
+
+/**
+ * A body made of candidate sources that are opened in order at
+ * respond time, see `response.bodyFallback()`.
+ *
+ * Each candidate is a function returning, or resolving to,
+ * anything `ctx.body` accepts.
+ */
+
+module.exports = class FallbackBody {
+  constructor (candidates) {
+    if (!Array.isArray(candidates) || !candidates.length) {
+      throw new TypeError('body fallback needs at least one candidate')
+    }
+    for (const candidate of candidates) {
+      if (typeof candidate !== 'function') {
+        throw new TypeError('body fallback candidates must be functions')
+      }
+    }
+    this.candidates = candidates
+  }
+}
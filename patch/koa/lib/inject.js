@@ -0,0 +1,242 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const EventEmitter = require('node:events')
+const { Readable, Writable } = require('node:stream')
+
+/**
+ * The socket of an injected request: writable until destroyed, which
+ * is how the client going away is signalled.
+ */
+
+class InjectedSocket extends EventEmitter {
+  constructor () {
+    super()
+    this.remoteAddress = '127.0.0.1'
+    this.encrypted = false
+    this.readable = true
+    this.writable = true
+    this.destroyed = false
+  }
+
+  destroy () {
+    if (this.destroyed) return this
+    this.destroyed = true
+    this.readable = this.writable = false
+    process.nextTick(() => this.emit('close'))
+    return this
+  }
+}
+
+/**
+ * A request for `app.inject()` and `app.fetch()`. An object `body` is
+ * sent as JSON, a `ReadableStream` is streamed.
+ */
+
+exports.InjectedRequest = class InjectedRequest extends Readable {
+  /**
+   * @param {Object} [options]
+   * @param {String} [options.method='GET']
+   * @param {String} [options.url='/']
+   * @param {Object} [options.headers]
+   * @param {String|Buffer|Object|ReadableStream} [options.body]
+   */
+
+  constructor ({ method = 'GET', url = '/', headers = {}, body } = {}) {
+    super()
+    this.method = method.toUpperCase()
+    this.url = url
+    this.httpVersion = '1.1'
+    this.httpVersionMajor = 1
+    this.httpVersionMinor = 1
+    this.socket = new InjectedSocket()
+    this.headers = {}
+    for (const [name, value] of Object.entries(headers)) {
+      this.headers[name.toLowerCase()] = Array.isArray(value) ? value.map(String) : String(value)
+    }
+    this.headers.host ??= 'localhost'
+    this.rawHeaders = Object.entries(this.headers).flatMap(([name, value]) => [name, String(value)])
+
+    if (body instanceof ReadableStream) {
+      this.source = body
+      body = null
+    }
+    if (body != null && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body)
+      this.headers['content-type'] ??= 'application/json'
+    }
+    this.payload = body == null ? null : Buffer.from(body)
+    if (this.payload) this.headers['content-length'] ??= String(this.payload.length)
+  }
+
+  _read () {
+    if (this.source) {
+      this.reader ??= this.source.getReader()
+      this.reader.read().then(
+        ({ done, value }) => this.push(done ? null : value),
+        err => this.destroy(err)
+      )
+      return
+    }
+    if (this.payload) this.push(this.payload)
+    this.payload = null
+    this.push(null)
+  }
+}
+
+/**
+ * A response for `app.inject()`, collecting what is written to it, or
+ * for `app.fetch()`, handing it to `sink(chunk, callback)`. Emits
+ * `headers` once they are sent.
+ */
+
+exports.InjectedResponse = class InjectedResponse extends Writable {
+  /**
+   * @param {InjectedRequest} req
+   */
+
+  constructor (req) {
+    super()
+    this.req = req
+    this.socket = req.socket
+    this.statusCode = 200
+    this.statusMessage = ''
+    this.headersSent = false
+    this.finished = false
+    this.chunks = []
+    this.trailers = {}
+    this.fields = {}
+    this.sink = null
+  }
+
+  setHeader (name, value) {
+    if (this.headersSent) {
+      const err = new Error('Cannot set headers after they are sent to the client')
+      err.code = 'ERR_HTTP_HEADERS_SENT'
+      throw err
+    }
+    this.fields[name.toLowerCase()] = value
+    return this
+  }
+
+  getHeader (name) {
+    return this.fields[name.toLowerCase()]
+  }
+
+  getHeaders () {
+    return { ...this.fields }
+  }
+
+  getHeaderNames () {
+    return Object.keys(this.fields)
+  }
+
+  hasHeader (name) {
+    return name.toLowerCase() in this.fields
+  }
+
+  removeHeader (name) {
+    delete this.fields[name.toLowerCase()]
+  }
+
+  writeHead (statusCode, statusMessage, headers) {
+    if (typeof statusMessage === 'object') [statusMessage, headers] = [undefined, statusMessage]
+    this.statusCode = statusCode
+    if (statusMessage) this.statusMessage = statusMessage
+    for (const [name, value] of Object.entries(headers || {})) this.setHeader(name, value)
+    this.sendHeaders()
+    return this
+  }
+
+  flushHeaders () {
+    this.sendHeaders()
+  }
+
+  sendHeaders () {
+    if (this.headersSent) return
+    this.headersSent = true
+    this.emit('headers')
+  }
+
+  addTrailers (headers) {
+    for (const [name, value] of Object.entries(headers)) {
+      this.trailers[name.toLowerCase()] = String(value)
+    }
+  }
+
+  write (...args) {
+    this.sendHeaders()
+    return super.write(...args)
+  }
+
+  end (...args) {
+    this.sendHeaders()
+    this.finished = true
+    return super.end(...args)
+  }
+
+  _write (chunk, encoding, callback) {
+    if (this.sink) return this.sink(chunk, callback)
+    this.chunks.push(chunk)
+    callback()
+  }
+
+  _destroy (err, callback) {
+    this.socket.destroy()
+    callback(err)
+  }
+}
+
+/**
+ * Return a promise of the WHATWG `Response` for `res`, settled once its
+ * headers are sent. The body streams what is written to `res`, with
+ * backpressure, and cancelling it destroys `res`, which tears down the
+ * body pipeline like a client going away.
+ *
+ * @param {InjectedResponse} res
+ * @return {Promise<Response>}
+ * @api private
+ */
+
+exports.toResponse = (res) => new Promise((resolve, reject) => {
+  let controller
+  let pending = null
+  const body = new ReadableStream({
+    start (c) { controller = c },
+    pull () {
+      const callback = pending
+      pending = null
+      if (callback) callback()
+    },
+    cancel () { res.destroy() }
+  })
+
+  res.sink = (chunk, callback) => {
+    controller.enqueue(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength))
+    if (controller.desiredSize > 0) callback()
+    else pending = callback
+  }
+  res.once('finish', () => controller.close())
+  res.once('close', () => {
+    if (res.writableFinished) return
+    const err = new DOMException('The response was closed before it was complete', 'AbortError')
+    try { controller.error(err) } catch {}
+    reject(err)
+  })
+
+  res.once('headers', () => {
+    const headers = new Headers()
+    for (const [name, value] of Object.entries(res.getHeaders())) {
+      for (const item of [].concat(value)) headers.append(name, String(item))
+    }
+    const empty = res.req.method === 'HEAD' || [101, 204, 205, 304].includes(res.statusCode)
+    resolve(new Response(empty ? null : body, {
+      status: res.statusCode,
+      statusText: res.statusMessage,
+      headers
+    }))
+  })
+})
@@ -0,0 +1,17 @@
+'use strict'
+
+/**
+ * Check if `body` is streamed as an iterable: anything with
+ * `Symbol.asyncIterator`, or a sync iterator such as a generator.
+ * Arrays, Maps and Sets are not iterators and stay JSON bodies.
+ *
+ * Node streams and `ReadableStream`s are async iterable too,
+ * so check for those first.
+ */
+
+module.exports = (body) => {
+  if (body === null || typeof body !== 'object') return false
+  if (typeof body[Symbol.asyncIterator] === 'function') return true
+  return typeof body[Symbol.iterator] === 'function' &&
+    typeof body.next === 'function'
+}
@@ -0,0 +1,63 @@
+'use strict'
+
+/**
+ * Return a `JSON.stringify()` replacer that applies `replacer` and
+ * handles BigInts and circular references, reporting the path of the
+ * offending key, e.g. `$.orders[3].total`.
+ *
+ * @param {Function|Array} [replacer]
+ * @param {String} bigint
+ * @param {String} circular
+ * @return {Function}
+ * @api private
+ */
+
+module.exports = function tracingReplacer (replacer, bigint, circular) {
+  const ancestors = []
+  const paths = new Map()
+
+  return function (key, value) {
+    // drop the containers we are done with
+    while (ancestors.length && ancestors[ancestors.length - 1] !== this) ancestors.pop()
+    const isRoot = !ancestors.length
+    if (isRoot) ancestors.push(this)
+    const path = isRoot ? '$' : paths.get(this) + formatKey(this, key)
+
+    if (typeof replacer === 'function') {
+      value = replacer.call(this, key, value)
+    } else if (Array.isArray(replacer) && !isRoot && !Array.isArray(this) && !replacer.includes(key)) {
+      return undefined
+    }
+
+    if (typeof value === 'bigint') {
+      if (bigint === 'string') return value.toString()
+      throw new TypeError(`Do not know how to serialize a BigInt at ${path}`)
+    }
+
+    if (value !== null && typeof value === 'object') {
+      if (ancestors.includes(value)) {
+        if (circular === 'mark') return `[Circular ${paths.get(value)}]`
+        throw new TypeError(`Converting circular structure to JSON at ${path}`)
+      }
+      ancestors.push(value)
+      paths.set(value, path)
+    }
+
+    return value
+  }
+}
+
+/**
+ * Format `key` of `holder` as a path segment.
+ *
+ * @param {Object} holder
+ * @param {String} key
+ * @return {String}
+ * @api private
+ */
+
+function formatKey (holder, key) {
+  if (Array.isArray(holder)) return `[${key}]`
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return `.${key}`
+  return `[${JSON.stringify(key)}]`
+}
@@ -0,0 +1,247 @@
+'use strict'
+
+/**
+ * Incremental JSON serializers. Both return iterators of strings,
+ * which the body setter streams like any other iterable body, so
+ * serialization is paced by the client instead of blocking the
+ * event loop on one `JSON.stringify()` call.
+ */
+
+const tracingReplacer = require('./json-replacer.js')
+
+const CHUNK_SIZE = 16 * 1024
+const FLAT_LIMIT = 1024
+
+/**
+ * Serialize `value` as a single JSON document, in chunks of about
+ * 16kb. Output matches the app's JSON serializer with the same
+ * `options`.
+ *
+ * @param {Mixed} value
+ * @param {Object} [options] the JSON options of `app.serializers`
+ * @return {Generator<String>}
+ * @api private
+ */
+
+exports.stringify = function * stringify (value, options = {}) {
+  let chunk = ''
+  let empty = true
+  for (const token of tokens(value, options)) {
+    chunk += token
+    empty = false
+    if (chunk.length >= CHUNK_SIZE) {
+      yield chunk
+      chunk = ''
+    }
+  }
+  if (empty) yield 'null'
+  else if (chunk) yield chunk
+}
+
+/**
+ * Serialize each record of `records` as one line of JSON, with the
+ * JSON `options` but no indentation.
+ *
+ * @param {Iterable|AsyncIterable} records
+ * @param {Object} [options] the JSON options of `app.serializers`
+ * @return {AsyncGenerator<String>}
+ * @api private
+ */
+
+exports.ndjson = async function * ndjson (records, options = {}) {
+  options = { ...options, spaces: undefined }
+  for await (const record of records) {
+    let line = ''
+    for (const token of tokens(record, options)) line += token
+    if (line) yield `${line}\n`
+  }
+}
+
+/**
+ * Yield the JSON tokens of `value`, nothing if it serializes to
+ * `undefined`.
+ *
+ * @param {Mixed} value
+ * @param {Object} options
+ * @return {Generator<String>}
+ * @api private
+ */
+
+function * tokens (value, { replacer, spaces, bigint = 'error', circular = 'error' }) {
+  const walker = {
+    replace: tracingReplacer(replacer, bigint, circular),
+    // flat containers go to one JSON.stringify() call, which would
+    // apply a replacer again
+    fast: !replacer,
+    keys: Array.isArray(replacer) ? propertyList(replacer) : null,
+    gap: indentation(spaces)
+  }
+  const holder = { '': value }
+  value = resolve(walker, holder, '')
+  if (isSerializable(value)) yield * serialize(walker, value, '')
+}
+
+/**
+ * Yield the JSON tokens of `value`, walking arrays and objects so that
+ * only their leaves are handed to `JSON.stringify()`.
+ *
+ * @param {Object} walker
+ * @param {Mixed} value already passed through `toJSON()` and the replacer
+ * @param {String} indent of the current line
+ * @return {Generator<String>}
+ * @api private
+ */
+
+function * serialize (walker, value, indent) {
+  if (value === null || typeof value !== 'object' || isBoxed(value)) {
+    yield JSON.stringify(value) ?? 'null'
+    return
+  }
+
+  const { gap } = walker
+  if (walker.fast && isFlat(value)) {
+    let json
+    try {
+      json = JSON.stringify(value, null, gap)
+    } catch (err) {
+      // a BigInt, serialized below
+      if (!(err instanceof TypeError)) throw err
+    }
+    if (json !== undefined) {
+      yield gap ? json.replace(/\n/g, `\n${indent}`) : json
+      return
+    }
+  }
+
+  const inner = indent + gap
+  const separator = gap ? `,\n${inner}` : ','
+  let first = true
+  if (Array.isArray(value)) {
+    yield '['
+    for (let i = 0; i < value.length; i++) {
+      const item = resolve(walker, value, String(i))
+      yield first ? (gap ? `\n${inner}` : '') : separator
+      first = false
+      if (isSerializable(item)) yield * serialize(walker, item, inner)
+      else yield 'null'
+    }
+    yield first || !gap ? ']' : `\n${indent}]`
+  } else {
+    yield '{'
+    for (const key of walker.keys || Object.keys(value)) {
+      const item = resolve(walker, value, key)
+      if (!isSerializable(item)) continue
+      yield first ? (gap ? `\n${inner}` : '') : separator
+      first = false
+      yield `${JSON.stringify(key)}:${gap ? ' ' : ''}`
+      yield * serialize(walker, item, inner)
+    }
+    yield first || !gap ? '}' : `\n${indent}}`
+  }
+}
+
+/**
+ * Return `holder[key]` as `JSON.stringify()` sees it: passed through
+ * its `toJSON()`, then through the replacer.
+ *
+ * @param {Object} walker
+ * @param {Object} holder
+ * @param {String} key
+ * @return {Mixed}
+ * @api private
+ */
+
+function resolve (walker, holder, key) {
+  return walker.replace.call(holder, key, toJSONValue(holder, key))
+}
+
+/**
+ * Check if `value` has a JSON representation.
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isSerializable (value) {
+  return value !== undefined && typeof value !== 'function' && typeof value !== 'symbol'
+}
+
+/**
+ * Return the keys an array replacer allows, as `JSON.stringify()` does.
+ *
+ * @param {Array} replacer
+ * @return {String[]}
+ * @api private
+ */
+
+function propertyList (replacer) {
+  const keys = replacer
+    .filter(key => typeof key === 'string' || typeof key === 'number' ||
+      key instanceof String || key instanceof Number)
+    .map(String)
+  return [...new Set(keys)]
+}
+
+/**
+ * Return the indentation `spaces` stands for, as `JSON.stringify()` does.
+ *
+ * @param {Number|String} [spaces]
+ * @return {String}
+ * @api private
+ */
+
+function indentation (spaces) {
+  if (typeof spaces === 'number') return ' '.repeat(Math.max(0, Math.min(10, Math.floor(spaces))))
+  if (typeof spaces === 'string') return spaces.slice(0, 10)
+  return ''
+}
+
+/**
+ * Return `holder[key]`, passed through its `toJSON()` if it has one.
+ *
+ * @param {Object} holder
+ * @param {String} key
+ * @return {Mixed}
+ * @api private
+ */
+
+function toJSONValue (holder, key) {
+  const value = holder[key]
+  if (value != null && typeof value.toJSON === 'function') return value.toJSON(key)
+  return value
+}
+
+/**
+ * Check if `value` is small and holds no nested containers, so one
+ * `JSON.stringify()` call is cheap and cannot recurse.
+ * Boxed primitives and values with `toJSON()` count as leaves.
+ *
+ * @param {Object} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isFlat (value) {
+  if (isBoxed(value)) return true
+  if (Array.isArray(value) && value.length > FLAT_LIMIT) return false
+  const keys = Object.keys(value)
+  if (keys.length > FLAT_LIMIT) return false
+  for (const key of keys) {
+    const item = value[key]
+    if (item !== null && typeof item === 'object' && typeof item.toJSON !== 'function') return false
+  }
+  return true
+}
+
+/**
+ * Check if `value` is a boxed primitive, serialized as its primitive.
+ *
+ * @param {Object} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function isBoxed (value) {
+  return value instanceof Number || value instanceof String || value instanceof Boolean
+}
@@ -0,0 +1,117 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const { Transform } = require('node:stream')
+const onFinished = require('on-finished')
+
+const responseFinished = require('./response-finished.js')
+
+const clocks = new WeakMap()
+
+/**
+ * Start measuring the response of `ctx` as `ctx.response.metrics`,
+ * and emit `response:metrics` on the app once it has finished.
+ *
+ * Times are in ms from the start of the request: `headers` when the
+ * headers were sent, `firstByte` when the first body byte was written
+ * and `duration` when the response finished. `stream` is the time a
+ * streamed body took once all middleware had returned, `bytes` the
+ * body bytes written, as encoded, and `outcome` one of 'finished',
+ * 'aborted' by the client or 'errored'.
+ *
+ * @param {Context} ctx
+ * @api private
+ */
+
+exports.track = (ctx) => {
+  clocks.set(ctx, performance.now())
+  const metrics = ctx.response.metrics = {
+    bytes: 0,
+    headers: undefined,
+    firstByte: undefined,
+    stream: undefined,
+    duration: undefined,
+    outcome: undefined
+  }
+
+  onFinished(ctx.res, () => {
+    // let the body pipeline settle first
+    setImmediate(() => {
+      if (metrics.headers === undefined && ctx.res.headersSent) metrics.headers = elapsed(ctx)
+      metrics.duration = elapsed(ctx)
+      metrics.outcome ??= responseFinished(ctx.res) ? 'finished' : 'aborted'
+      ctx.app.emit('response:metrics', { ctx, metrics })
+    })
+  })
+}
+
+/**
+ * Record that the headers are being sent.
+ *
+ * @param {Context} ctx
+ * @api private
+ */
+
+exports.headers = (ctx) => {
+  const { metrics } = ctx.response
+  if (metrics && metrics.headers === undefined) metrics.headers = elapsed(ctx)
+}
+
+/**
+ * Record `bytes` of body being written.
+ *
+ * @param {Context} ctx
+ * @param {Number} bytes
+ * @api private
+ */
+
+exports.write = (ctx, bytes) => {
+  const { metrics } = ctx.response
+  if (!metrics || !bytes) return
+  exports.headers(ctx)
+  if (metrics.firstByte === undefined) metrics.firstByte = elapsed(ctx)
+  metrics.bytes += bytes
+}
+
+/**
+ * Return a stream recording the body chunks piped through it, and a
+ * function to call with the pipeline's error once it has ended.
+ *
+ * @param {Context} ctx
+ * @return {{ meter: Transform, end: Function }}
+ * @api private
+ */
+
+exports.meter = (ctx) => {
+  const start = performance.now()
+  const meter = new Transform({
+    transform (chunk, encoding, callback) {
+      exports.write(ctx, chunk.length)
+      callback(null, chunk)
+    }
+  })
+
+  const end = (err) => {
+    const { metrics } = ctx.response
+    if (!metrics) return
+    metrics.stream = performance.now() - start
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') metrics.outcome = 'errored'
+  }
+
+  return { meter, end }
+}
+
+/**
+ * Return the ms since the request started.
+ *
+ * @param {Context} ctx
+ * @return {Number}
+ * @api private
+ */
+
+function elapsed (ctx) {
+  return performance.now() - clocks.get(ctx)
+}
@@ -0,0 +1,227 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const crypto = require('node:crypto')
+const fs = require('node:fs')
+
+// more ranges than this are answered with the whole body
+const MAX_RANGES = 12
+
+/**
+ * Check if `body` can be served in byte ranges: a Buffer, a Blob, or
+ * an untouched `fs.ReadStream` whose path is known, so it can be
+ * reopened on the requested range.
+ *
+ * @param {Mixed} body
+ * @return {Boolean}
+ * @api private
+ */
+
+exports.isRangeable = (body) => {
+  if (Buffer.isBuffer(body) || body instanceof Blob) return true
+  return body instanceof fs.ReadStream &&
+    typeof body.path === 'string' &&
+    body.start === undefined &&
+    body.end === Infinity &&
+    !body.bytesRead
+}
+
+/**
+ * Advertise byte ranges and answer the request's `Range` header,
+ * replacing the body with the requested ranges (206) or responding
+ * 416 when none is satisfiable. Malformed ranges and a failed
+ * `If-Range` leave the full body in place.
+ *
+ * Returns a promise when the size of a file stream has to be read.
+ *
+ * @param {Context} ctx
+ * @return {Promise|undefined}
+ * @api private
+ */
+
+exports.applyRange = (ctx) => {
+  ctx.set('Accept-Ranges', 'bytes')
+  const header = ctx.get('Range')
+  if (ctx.method !== 'GET' || !header || !ifRangeMatches(ctx)) return
+
+  const { body } = ctx
+  if (Buffer.isBuffer(body)) {
+    return sendRanges(ctx, header, body.length, (start, end) => body.subarray(start, end + 1))
+  }
+  if (body instanceof Blob) {
+    return sendRanges(ctx, header, body.size, (start, end) => body.slice(start, end + 1))
+  }
+
+  const { path } = body
+  return fs.promises.stat(path).then(
+    stat => sendRanges(ctx, header, stat.size, (start, end) => fs.createReadStream(path, { start, end })),
+    // can't tell the size, send the whole file
+    () => {}
+  )
+}
+
+/**
+ * Parse a `Range` header against a body of `size` bytes. Overlapping
+ * and adjacent ranges are merged, and more than `MAX_RANGES` ranges
+ * count as malformed.
+ *
+ * @param {Number} size
+ * @param {String} header
+ * @return {Array|Number} the ranges, -1 if none is satisfiable, -2 if malformed
+ * @api private
+ */
+
+function parseRange (size, header) {
+  const match = /^\s*bytes\s*=(.+)$/i.exec(header)
+  if (!match) return -2
+  const specs = match[1].split(',')
+  if (specs.length > MAX_RANGES) return -2
+
+  const ranges = []
+  for (const spec of specs) {
+    const bounds = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(spec)
+    if (!bounds || (!bounds[1] && !bounds[2])) return -2
+
+    let start, end
+    if (!bounds[1]) {
+      // suffix: the last n bytes
+      start = Math.max(size - Number(bounds[2]), 0)
+      end = size - 1
+    } else {
+      start = Number(bounds[1])
+      end = bounds[2] ? Number(bounds[2]) : Infinity
+      if (end < start) return -2
+      end = Math.min(end, size - 1)
+    }
+
+    if (start <= end) ranges.push({ start, end })
+  }
+
+  return ranges.length ? combine(ranges) : -1
+}
+
+/**
+ * Merge overlapping and adjacent ranges, keeping them in the order
+ * they were first asked for.
+ *
+ * @param {Array} ranges
+ * @return {Array}
+ * @api private
+ */
+
+function combine (ranges) {
+  const sorted = ranges
+    .map((range, index) => ({ ...range, index }))
+    .sort((a, b) => a.start - b.start)
+
+  const merged = [sorted[0]]
+  for (const range of sorted.slice(1)) {
+    const last = merged[merged.length - 1]
+    if (range.start > last.end + 1) {
+      merged.push(range)
+    } else {
+      last.end = Math.max(last.end, range.end)
+      last.index = Math.min(last.index, range.index)
+    }
+  }
+
+  return merged
+    .sort((a, b) => a.index - b.index)
+    .map(({ start, end }) => ({ start, end }))
+}
+
+/**
+ * Replace the body with the parts of it `ranges` asks for.
+ *
+ * @param {Context} ctx
+ * @param {String} header
+ * @param {Number} size
+ * @param {Function} slice returning the body of a range
+ * @api private
+ */
+
+function sendRanges (ctx, header, size, slice) {
+  const ranges = parseRange(size, header)
+  if (ranges === -2) return
+
+  if (ranges === -1) {
+    ctx.status = 416
+    ctx.set('Content-Range', `bytes */${size}`)
+    ctx.remove('Content-Type')
+    ctx.response.replaceBody(ctx.message)
+    return
+  }
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges
+    ctx.response.replaceBody(slice(start, end))
+    ctx.status = 206
+    ctx.set('Content-Range', `bytes ${start}-${end}/${size}`)
+    ctx.length = end - start + 1
+    return
+  }
+
+  const boundary = crypto.randomBytes(12).toString('hex')
+  const type = ctx.response.get('Content-Type')
+  let length = 0
+  const parts = ranges.map(({ start, end }, i) => {
+    let head = `${i ? '\r\n' : ''}--${boundary}\r\n`
+    if (type) head += `Content-Type: ${type}\r\n`
+    head += `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+    length += Buffer.byteLength(head) + end - start + 1
+    return { head, open: () => slice(start, end) }
+  })
+  const tail = `\r\n--${boundary}--\r\n`
+  length += Buffer.byteLength(tail)
+
+  ctx.response.replaceBody(multipart(parts, tail))
+  ctx.status = 206
+  ctx.type = `multipart/byteranges; boundary=${boundary}`
+  ctx.length = length
+}
+
+/**
+ * Yield a multipart/byteranges body, opening each part in turn.
+ * Closing the iterator early also closes the part being read.
+ *
+ * @param {Array} parts
+ * @param {String} tail
+ * @return {AsyncGenerator<Buffer|String|Uint8Array>}
+ * @api private
+ */
+
+async function * multipart (parts, tail) {
+  for (const { head, open } of parts) {
+    yield head
+    const part = open()
+    if (Buffer.isBuffer(part)) yield part
+    else yield * (part instanceof Blob ? part.stream() : part)
+  }
+  yield tail
+}
+
+/**
+ * Check the request's `If-Range` against the response validators.
+ * An entity tag must match the strong `ETag`, a date must match
+ * `Last-Modified`.
+ *
+ * @param {Context} ctx
+ * @return {Boolean}
+ * @api private
+ */
+
+function ifRangeMatches (ctx) {
+  const ifRange = ctx.get('If-Range').trim()
+  if (!ifRange) return true
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    const etag = ctx.response.get('ETag')
+    return !!etag && !etag.startsWith('W/') && etag === ifRange
+  }
+
+  const lastModified = ctx.response.get('Last-Modified')
+  return !!lastModified && Date.parse(lastModified) === Date.parse(ifRange)
+}
@@ -0,0 +1,153 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const { Readable } = require('node:stream')
+const destroy = require('destroy')
+
+const isIterable = require('./is-iterable.js')
+const isStream = require('./is-stream.js')
+
+/**
+ * The named stream replacement policies.
+ */
+
+exports.REPLACEMENT_POLICIES = ['destroy', 'drain', 'keep']
+
+/**
+ * Apply the stream replacement `policy` to a replaced body that holds
+ * something open: a Node stream, a `ReadableStream`, a `Response` or an
+ * iterator. Other bodies are left alone.
+ *
+ * @param {Mixed} body
+ * @param {String|Function} policy
+ * @param {Context} ctx
+ * @return {Boolean} true if the body was destroyed
+ * @api private
+ */
+
+exports.releaseBody = (body, policy, ctx) => {
+  if (!isStreamLike(body)) return false
+  if (typeof policy === 'function') {
+    policy(body, ctx)
+    return false
+  }
+  if (policy === 'keep') return false
+  if (policy === 'drain') {
+    drainBody(body)
+    return false
+  }
+  return exports.cleanupBody(body)
+}
+
+/**
+ * Check if `body` is streamed from something that may be open.
+ *
+ * @param {Mixed} body
+ * @return {Boolean}
+ * @api private
+ */
+
+function isStreamLike (body) {
+  return isStream(body) ||
+    body instanceof ReadableStream ||
+    body instanceof Response ||
+    isIterable(body)
+}
+
+/**
+ * Read a replaced body to the end, discarding the data.
+ *
+ * @param {Mixed} body
+ * @api private
+ */
+
+function drainBody (body) {
+  if (isStream(body)) {
+    body.once('error', () => {})
+    if (typeof body.resume === 'function') body.resume()
+    return
+  }
+
+  if (body instanceof Response) body = body.body
+  if (body instanceof ReadableStream) {
+    if (!body.locked) body.pipeTo(new WritableStream()).catch(() => {})
+    return
+  }
+
+  if (isIterable(body)) {
+    Readable.from(body).on('error', () => {}).resume()
+  }
+}
+
+/**
+ * Release the resources held by a replaced body.
+ *
+ * Node streams are destroyed, with a noop error handler so a late
+ * error does not become an uncaught exception. `ReadableStream`s and
+ * the body of a `Response` are cancelled, which closes their underlying
+ * source (an upstream fetch socket, a file handle). Iterators are
+ * closed through `return()`, running their `finally` blocks. A `Blob` holds
+ * nothing open until `respond()` calls `blob.stream()`, so there is no
+ * reader to release.
+ *
+ * @param {Mixed} body
+ * @return {Boolean} true if something was released
+ * @api private
+ */
+
+exports.cleanupBody = (body) => {
+  if (isStream(body)) {
+    body.once('error', () => {})
+    destroy(body)
+    return true
+  }
+
+  if (body instanceof ReadableStream) {
+    return cancelReadableStream(body)
+  }
+
+  if (body instanceof Response) {
+    return body.body ? cancelReadableStream(body.body) : false
+  }
+
+  if (isIterable(body)) {
+    return closeIterator(body)
+  }
+
+  return false
+}
+
+/**
+ * Cancel a `ReadableStream`, ignoring the rejection.
+ * A locked stream belongs to its reader and is left alone.
+ *
+ * @param {ReadableStream} stream
+ * @return {Boolean} true if the stream was cancelled
+ * @api private
+ */
+
+function cancelReadableStream (stream) {
+  if (stream.locked) return false
+  stream.cancel().catch(() => {})
+  return true
+}
+
+/**
+ * Close an iterator body through `return()`, ignoring failures.
+ * An iterable that is not itself an iterator has nothing open yet.
+ *
+ * @param {AsyncIterable|Iterator} body
+ * @return {Boolean} true if the iterator was closed
+ * @api private
+ */
+
+function closeIterator (body) {
+  if (typeof body.return !== 'function') return false
+  try {
+    Promise.resolve(body.return()).catch(() => {})
+  } catch {}
+  return true
+}
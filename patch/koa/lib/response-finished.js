@@ -0,0 +1,12 @@
+'use strict'
+
+/**
+ * Check if the response was sent in full. An HTTP/2 response whose
+ * stream the client reset counts as `writableFinished` without having
+ * ended, so also check that it was ended and its stream not reset.
+ */
+
+module.exports = (res) => {
+  if (!res.writableEnded || !res.writableFinished) return false
+  return !(res.stream && res.stream.rstCode)
+}
@@ -18,6 +18,15 @@ const encodeUrl = require('encodeurl')
 const vary = require('vary')
 const getType = require('mime-types').contentType
 
+const EventStream = require('./sse.js')
+const FallbackBody = require('./fallback-body.js')
+const ResponseWriter = require('./writer.js')
+const bodyKind = require('./body-kind.js')
+const { REPLACEMENT_POLICIES, releaseBody, cleanupBody } = require('./release-body.js')
+const digest = require('./digest.js')
+const jsonStream = require('./json-stream.js')
+const metrics = require('./metrics.js')
+const isIterable = require('./is-iterable.js')
 const isStream = require('./is-stream.js')
 const only = require('./only.js')
 
@@ -89,7 +98,7 @@ module.exports = {
     this._explicitStatus = true
     this.res.statusCode = code
     if (this.req.httpVersionMajor < 2) this.res.statusMessage = statuses.message[code]
-    if (this.body && statuses.empty[code]) this.body = null
+    if (this.body && statuses.empty[code]) this.replaceBody(null)
   },
 
   /**
@@ -128,18 +137,43 @@ module.exports = {
   /**
    * Set response body.
    *
-   * @param {String|Buffer|Object|Stream|ReadableStream|Blob|Response} val
+   * Emits `body:set`, `body:replaced` and `body:destroyed` on the app.
+   *
+   * @param {String|Buffer|Object|Stream|ReadableStream|Blob|Response|AsyncIterable|Function} val
    * @api public
    */
 
   set body (val) {
     const original = this._body
+    const { app, ctx } = this
+    const kind = bodyKind(val)
+
+    // strict: throw serialization errors where the body is assigned,
+    // before anything about the response has changed
+    const negotiated = kind === 'json' ? negotiateType(this) : null
+    if (kind === 'json' && app.serializers.strict) {
+      app.serializers.serialize(negotiated ? negotiated.type : this.type, val, ctx)
+    }
+
     this._body = val
+    app.emit('body:set', { ctx, body: val, kind })
+    if (original != null && original !== val) {
+      app.emit('body:replaced', {
+        ctx,
+        original,
+        body: val,
+        from: bodyKind(original),
+        to: kind
+      })
+    }
 
     const cleanupPreviousStream = () => {
-      if (original && isStream(original)) {
-        original.once('error', () => {})
-        destroy(original)
+      if (original == null || original === val) return
+      const released = this._replacing
+        ? cleanupBody(original)
+        : releaseBody(original, this.streamReplacement, ctx)
+      if (released) {
+        app.emit('body:destroyed', { ctx, body: original, kind: bodyKind(original) })
       }
     }
 
@@ -185,7 +219,11 @@ module.exports = {
 
     // stream
     if (isStream(val)) {
-      onFinish(this.res, destroy.bind(null, val))
+      // a replaced stream is left to the replacement policy
+      onFinish(this.res, () => {
+        if (this._body === val) destroy(val)
+      })
+      if (app.detectBodyLeaks) trackBodyStream(this, val)
       if (original !== val) {
         if (original != null) this.remove('Content-Length')
         cleanupPreviousStream()
@@ -222,12 +260,340 @@ module.exports = {
       return
     }
 
-    // json
+    // async iterable or generator, streamed
+    if (isIterable(val)) {
+      // close it if the client goes away before it is piped
+      onFinish(this.res, () => {
+        if (this._body === val) cleanupBody(val)
+      })
+      if (original !== val) {
+        this.remove('Content-Length')
+        cleanupPreviousStream()
+      }
+
+      if (setType) this.type = 'bin'
+      return
+    }
+
+    // lazy, typed by the body the factory returns
+    if (typeof val === 'function') {
+      this.remove('Content-Length')
+      cleanupPreviousStream()
+      return
+    }
+
+    // fallback, typed by the candidate that opens
+    if (val instanceof FallbackBody) {
+      this.remove('Content-Length')
+      cleanupPreviousStream()
+      return
+    }
+
+    // object, serialized as json or as negotiated with the app's serializers
     this.remove('Content-Length')
-    if (!this.type || !/\bjson\b/i.test(this.type)) this.type = 'json'
+    if (negotiated) {
+      if (negotiated.vary) this.vary('Accept')
+      this.type = negotiated.type
+    }
     cleanupPreviousStream()
   },
 
+  /**
+   * Replace the body on Koa's behalf, for a 304 or a range: the body
+   * replaced is released with `cleanupBody()`, whatever the stream
+   * replacement policy, which only applies to user code.
+   *
+   * @param {Mixed} val
+   * @api private
+   */
+
+  replaceBody (val) {
+    this._replacing = true
+    try {
+      this.body = val
+    } finally {
+      this._replacing = false
+    }
+  },
+
+  /**
+   * Get the policy applied to a body stream when it is replaced,
+   * falling back to the application's `streamReplacement` option.
+   *
+   * @return {String|Function}
+   * @api public
+   */
+
+  get streamReplacement () {
+    return this._streamReplacement || this.app.streamReplacement || 'destroy'
+  },
+
+  /**
+   * Set the policy applied to a body stream when it is replaced:
+   *
+   *  - "destroy" destroys it (default)
+   *  - "drain" reads it to the end and discards the data,
+   *    e.g. to keep an HTTP agent socket reusable
+   *  - "keep" leaves it untouched
+   *  - `fn(body, ctx)` hands it to `fn`
+   *
+   * Bodies Koa replaces itself, with a 304 or a range, are destroyed.
+   *
+   * @param {String|Function} policy
+   * @api public
+   */
+
+  set streamReplacement (policy) {
+    assert(
+      typeof policy === 'function' || REPLACEMENT_POLICIES.includes(policy),
+      `invalid stream replacement policy: ${policy}`
+    )
+    this._streamReplacement = policy
+  },
+
+  /**
+   * Respond with the representation the request accepts best, and
+   * vary on Accept. Keys are extensions or media types; values are
+   * bodies, or functions called with the context returning the body.
+   * Object bodies are serialized by the matching serializer of
+   * `app.serializers`. Responds 406 if nothing is acceptable.
+   *
+   * Examples:
+   *
+   *    this.format({
+   *      json: data,
+   *      html: () => render(data),
+   *      'application/cbor': data
+   *    })
+   *
+   * @param {Object} representations
+   * @api public
+   */
+
+  format (representations) {
+    const types = Object.keys(representations)
+    this.vary('Accept')
+    const type = this.ctx.accepts(types)
+    if (!type) this.ctx.throw(406)
+
+    const representation = representations[type]
+    this.type = type
+    this.body = typeof representation === 'function'
+      ? representation(this.ctx)
+      : representation
+  },
+
+  /**
+   * Set the body to a stream written imperatively, with backpressure,
+   * and start the response: set the status and headers first. `write()`
+   * resolves once the response has drained, and rejects with an
+   * AbortError after the client disconnects. The body is ended when the
+   * middleware returns, and destroyed if it throws.
+   *
+   * Examples:
+   *
+   *    const writer = this.writer()
+   *    for await (const row of rows) await writer.write(format(row))
+   *    await writer.end()
+   *
+   * @return {ResponseWriter}
+   * @api public
+   */
+
+  writer () {
+    return new ResponseWriter(this.ctx)
+  },
+
+  /**
+   * Respond with a Server-Sent Events stream. Resuming clients send
+   * the id of the last event they got, exposed as `lastEventId`.
+   *
+   * Examples:
+   *
+   *    const sse = this.sse({ retry: 3000 })
+   *    sse.send({ event: 'tick', id: 1, data: { now: Date.now() } })
+   *    sse.close()
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.retry] reconnection time sent to the client, in ms
+   * @param {Number} [options.heartbeatMs=15000] interval of keep-alive comments, 0 to disable
+   * @return {EventStream}
+   * @api public
+   */
+
+  sse (options) {
+    return new EventStream(this.ctx, options)
+  },
+
+  /**
+   * Send trailer fields after a streamed body, as returned by `fn(ctx)`
+   * once the body has ended. `names` are announced up front in the
+   * Trailer header. Trailers are only sent on chunked HTTP/1.1 and on
+   * HTTP/2 responses, and ignored otherwise.
+   *
+   * Examples:
+   *
+   *    this.trailers(['Server-Timing'], () => ({
+   *      'Server-Timing': `export;dur=${Date.now() - start}`
+   *    }))
+   *
+   * @param {String[]} [names]
+   * @param {Function} fn returning the fields, or a promise of them
+   * @api public
+   */
+
+  trailers (names, fn) {
+    if (typeof names === 'function') [names, fn] = [[], names]
+    assert(typeof fn === 'function', 'trailers must be a function')
+    this._trailers = (this._trailers || []).concat({ names, fn })
+  },
+
+  /**
+   * Respond with `value` as JSON. With `stream: true` it is serialized
+   * incrementally while it is written, with the app's JSON options,
+   * keeping large payloads from blocking the event loop or being held
+   * in memory as one string.
+   *
+   * Examples:
+   *
+   *    this.json({ ok: true })
+   *    this.json(hugeExport, { stream: true })
+   *
+   * @param {Mixed} value
+   * @param {Object} [options]
+   * @param {Boolean} [options.stream=false]
+   * @api public
+   */
+
+  json (value, options = {}) {
+    this.type = 'json'
+    if (options.stream) {
+      this.body = jsonStream.stringify(value, this.app.serializers.json)
+      return
+    }
+    this.body = value === null || typeof value === 'string'
+      ? JSON.stringify(value)
+      : value
+  },
+
+  /**
+   * Respond with newline delimited JSON, one line per record of
+   * `records`, serialized as it is written.
+   *
+   * Examples:
+   *
+   *    this.ndjson(rows)
+   *    this.ndjson(db.cursor())
+   *
+   * @param {Iterable|AsyncIterable} records
+   * @api public
+   */
+
+  ndjson (records) {
+    this.type = 'application/x-ndjson'
+    this.body = jsonStream.ndjson(records, this.app.serializers.json)
+  },
+
+  /**
+   * Set the body to a factory that is only called once the response
+   * is actually written, so nothing is opened for HEAD requests,
+   * empty statuses, closed connections or bodies replaced later.
+   * Same as assigning a function to `body`.
+   *
+   * Examples:
+   *
+   *    this.lazyBody(() => fs.createReadStream(path))
+   *    this.lazyBody(ctx => fetch(url, { headers: ctx.headers }))
+   *
+   * @param {Function} fn returning, or resolving to, the body
+   * @api public
+   */
+
+  lazyBody (fn) {
+    assert(typeof fn === 'function', 'lazy body must be a function')
+    this.body = fn
+  },
+
+  /**
+   * Set the body to a chain of candidate sources, opened lazily and in
+   * order when the response is sent. A candidate is skipped when its
+   * function throws or rejects, when it returns a `Response` that is not
+   * ok, or when the stream it returns, Node or web, errors before
+   * producing its first chunk; skipped streams are released.
+   *
+   * Examples:
+   *
+   *    this.bodyFallback([
+   *      () => fs.createReadStream(localPath),
+   *      () => fetch(remoteUrl)
+   *    ])
+   *
+   * @param {Function[]} candidates
+   * @api public
+   */
+
+  bodyFallback (candidates) {
+    this.body = new FallbackBody(candidates)
+  },
+
+  /**
+   * Get the limits for streaming the body, falling back to the
+   * application's `streamTimeout` option.
+   *
+   * @return {{ idle?: Number, total?: Number }|undefined}
+   * @api public
+   */
+
+  get streamTimeout () {
+    return this._streamTimeout || this.app.streamTimeout
+  },
+
+  /**
+   * Set the limits for streaming the body, in ms: `idle` without any
+   * data, not counting the time the client takes to read what was
+   * already sent, and `total`. When one is hit the body is destroyed,
+   * the socket aborted and the error reported with code
+   * ERR_STREAM_IDLE_TIMEOUT or ERR_STREAM_TOTAL_TIMEOUT.
+   *
+   *     this.response.streamTimeout = { idle: 30e3, total: 300e3 };
+   *
+   * @param {{ idle?: Number, total?: Number }} limits
+   * @api public
+   */
+
+  set streamTimeout (limits) {
+    assert(limits && typeof limits === 'object', 'stream timeout must be an object')
+    this._streamTimeout = limits
+  },
+
+  /**
+   * Get the digest algorithm of the response.
+   *
+   * @return {String|undefined}
+   * @api public
+   */
+
+  get digest () {
+    return this._digest
+  },
+
+  /**
+   * Send an RFC 9530 Content-Digest of the body, with `algorithm`
+   * 'sha-256' or 'sha-512'. String, Buffer and JSON bodies get the
+   * header; streamed bodies, compressed ones included, are hashed as
+   * they are sent and get a trailer, where trailers can be sent.
+   *
+   *     this.response.digest = 'sha-256';
+   *
+   * @param {String} algorithm
+   * @api public
+   */
+
+  set digest (algorithm) {
+    assert(digest.supports(algorithm), `unsupported digest algorithm: ${algorithm}`)
+    this._digest = algorithm
+  },
+
   /**
    * Set Content-Length field to `n`.
    *
@@ -254,10 +620,12 @@ module.exports = {
     }
 
     const { body } = this
-    if (!body || isStream(body)) return undefined
+    if (!body || isStream(body) || typeof body === 'function') return undefined
+    if (body instanceof FallbackBody) return undefined
+    if (isIterable(body)) return undefined
     if (typeof body === 'string') return Buffer.byteLength(body)
     if (Buffer.isBuffer(body)) return body.length
-    return Buffer.byteLength(JSON.stringify(body))
+    return Buffer.byteLength(this.app.serializers.serialize(this.type, body, this.ctx))
   },
 
   /**
@@ -599,6 +967,9 @@ module.exports = {
     // https://stackoverflow.com/questions/16254385/undocumented-response-finished-in-node-js
     if (this.res.writableEnded || this.res.finished) return false
 
+    // an HTTP/2 stream the peer has reset
+    if (this.res.stream && this.res.stream.destroyed) return false
+
     const socket = this.res.socket
     // There are already pending outgoing res, but still writable
     // https://github.com/nodejs/node/blob/v4.4.7/lib/_http_server.js#L486
@@ -640,10 +1011,49 @@ module.exports = {
    */
 
   flushHeaders () {
+    metrics.headers(this.ctx)
     this.res.flushHeaders()
   }
 }
 
+/**
+ * Return the type to serialize an object body as, negotiated with the
+ * app's serializers, or null when its Content-Type already names one.
+ *
+ * @param {Object} response
+ * @return {{ type: String, vary: Boolean }|null}
+ * @api private
+ */
+
+function negotiateType (response) {
+  const { type } = response
+  const { serializers } = response.app
+  if (type && (/\bjson\b/i.test(type) || serializers.has(type))) return null
+  const types = serializers.types()
+  if (types.length < 2) return { type: 'json', vary: false }
+  return { type: response.ctx.accepts(types) || 'json', vary: true }
+}
+
+/**
+ * Remember a stream assigned to the body together with the stack
+ * of the assignment, so the app can report it if it never closes.
+ *
+ * @param {Object} response
+ * @param {Stream} stream
+ * @api private
+ */
+
+function trackBodyStream (response, stream) {
+  const entry = {
+    stream,
+    stack: new Error('body stream assigned here').stack,
+    closed: false
+  }
+  stream.once('close', () => { entry.closed = true })
+  response._trackedStreams = response._trackedStreams || []
+  response._trackedStreams.push(entry)
+}
+
 /**
  * Custom inspection implementation for node 6+.
  *
@@ -0,0 +1,164 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const lookup = require('mime-types').lookup
+
+const tracingReplacer = require('./json-replacer.js')
+
+/**
+ * Registry of the serializers used for object bodies, keyed by
+ * media type. Exposed as `app.serializers`.
+ *
+ * Examples:
+ *
+ *    app.serializers.register('application/cbor', value => cbor.encode(value))
+ *    app.serializers.register('csv', (rows, ctx) => toCsv(rows))
+ */
+
+module.exports = class Serializers {
+  /**
+   * @param {Object} [json] options of the JSON serializer
+   * @param {Function|Array} [json.replacer] as for `JSON.stringify()`
+   * @param {Number|String} [json.spaces] indentation, as for `JSON.stringify()`
+   * @param {String} [json.bigint='error'] "error" or "string"
+   * @param {String} [json.circular='error'] "error" or "mark"
+   * @param {Boolean} [json.strict] serialize object bodies when they are assigned
+   */
+
+  constructor (json = {}) {
+    this.serializers = new Map()
+    this.cache = new WeakMap()
+    this.strict = !!json.strict
+    this.json = json
+    this.register('application/json', createJSONSerializer(json))
+  }
+
+  /**
+   * Register `fn(value, ctx)` as the serializer for `type`, given as
+   * a media type or an extension. It returns a String or a Buffer.
+   *
+   * @param {String} type
+   * @param {Function} fn
+   * @return {Serializers} self
+   * @api public
+   */
+
+  register (type, fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('serializer must be a function!')
+    }
+    const mime = normalize(type)
+    if (!mime) throw new TypeError(`unknown media type: ${type}`)
+    this.serializers.set(mime, fn)
+    return this
+  }
+
+  /**
+   * Check if a serializer is registered for `type`.
+   *
+   * @param {String} type
+   * @return {Boolean}
+   * @api public
+   */
+
+  has (type) {
+    return this.serializers.has(normalize(type))
+  }
+
+  /**
+   * Return the registered media types, in registration order.
+   *
+   * @return {String[]}
+   * @api public
+   */
+
+  types () {
+    return [...this.serializers.keys()]
+  }
+
+  /**
+   * Serialize `value` with the serializer registered for `type`,
+   * falling back to JSON.
+   *
+   * @param {String} type
+   * @param {Mixed} value
+   * @param {Context} ctx
+   * @return {String|Buffer}
+   * @api public
+   */
+
+  serialize (type, value, ctx) {
+    const serializer = this.serializers.get(normalize(type)) ||
+      this.serializers.get('application/json')
+    return serializer(value, ctx)
+  }
+
+  /**
+   * Serialize the body of `ctx` while it is being sent, once for the
+   * ETag and the response. Only `respond()` uses the kept result: the
+   * body can still be mutated before that.
+   *
+   * @param {String} type
+   * @param {Mixed} value
+   * @param {Context} ctx
+   * @return {String|Buffer}
+   * @api private
+   */
+
+  serializeOnce (type, value, ctx) {
+    const mime = normalize(type)
+    const cached = this.cache.get(ctx)
+    if (cached && cached.value === value && cached.type === mime) return cached.data
+
+    const data = this.serialize(mime, value, ctx)
+    this.cache.set(ctx, { value, type: mime, data })
+    return data
+  }
+}
+
+/**
+ * Create the JSON serializer. Values `JSON.stringify()` handles on its
+ * own take the fast path; the others are serialized again while
+ * tracking the path of every key, to convert BigInts, mark circular
+ * references or name the key that cannot be serialized.
+ *
+ * @param {Object} options
+ * @return {Function}
+ * @api private
+ */
+
+function createJSONSerializer (options) {
+  const { replacer, spaces, bigint = 'error', circular = 'error' } = options
+  if (!['error', 'string'].includes(bigint)) {
+    throw new TypeError(`invalid json bigint option: ${bigint}`)
+  }
+  if (!['error', 'mark'].includes(circular)) {
+    throw new TypeError(`invalid json circular option: ${circular}`)
+  }
+
+  return value => {
+    try {
+      return JSON.stringify(value, replacer, spaces)
+    } catch (err) {
+      if (!(err instanceof TypeError)) throw err
+    }
+    return JSON.stringify(value, tracingReplacer(replacer, bigint, circular), spaces)
+  }
+}
+
+/**
+ * Normalize `type` to a lower-cased media type without parameters.
+ *
+ * @param {String} type
+ * @return {String|false}
+ * @api private
+ */
+
+function normalize (type) {
+  if (typeof type !== 'string' || !type) return false
+  if (!type.includes('/')) return lookup(type)
+  return type.split(';', 1)[0].trim().toLowerCase()
+}
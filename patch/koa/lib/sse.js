@@ -0,0 +1,122 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const { PassThrough } = require('node:stream')
+
+/**
+ * A Server-Sent Events stream set as the response body, see
+ * `response.sse()`.
+ *
+ * Its timers stop when the stream closes: when the client goes away,
+ * when `close()` is called, or when the body is replaced and the
+ * stream is released with it. A stream the replacement policy keeps
+ * closes on its next heartbeat or `send()`.
+ */
+
+module.exports = class EventStream {
+  /**
+   * @param {Context} ctx
+   * @param {Object} [options]
+   * @param {Number} [options.retry] reconnection time sent to the client, in ms
+   * @param {Number} [options.heartbeatMs=15000] interval of keep-alive comments, 0 to disable
+   */
+
+  constructor (ctx, options = {}) {
+    const { retry, heartbeatMs = 15000 } = options
+    this.ctx = ctx
+    this.lastEventId = ctx.get('Last-Event-ID') || undefined
+    this.closed = false
+    this.stream = new PassThrough()
+    this.stream.once('close', () => this.cleanup())
+
+    ctx.type = 'text/event-stream'
+    ctx.set('Cache-Control', 'no-cache')
+    ctx.set('X-Accel-Buffering', 'no')
+    if (ctx.req.httpVersionMajor < 2) ctx.set('Connection', 'keep-alive')
+    ctx.body = this.stream
+
+    if (retry != null) this.write(`retry: ${Math.floor(retry)}\n\n`)
+    if (heartbeatMs > 0) {
+      this.heartbeat = setInterval(() => this.write(':\n\n'), heartbeatMs)
+      this.heartbeat.unref()
+    }
+  }
+
+  /**
+   * Send an event. `data` that is not a string is sent as JSON.
+   *
+   * @param {Object} message
+   * @param {String} [message.event]
+   * @param {String|Number} [message.id]
+   * @param {Mixed} message.data
+   * @return {Boolean} false once the stream is closed or must drain
+   * @api public
+   */
+
+  send ({ event, id, data }) {
+    let frame = ''
+    if (event != null) frame += `event: ${field('event', event)}\n`
+    if (id != null) frame += `id: ${field('id', id)}\n`
+    const text = typeof data === 'string' ? data : JSON.stringify(data)
+    for (const line of String(text).split(/\r\n|\r|\n/)) frame += `data: ${line}\n`
+    return this.write(`${frame}\n`)
+  }
+
+  /**
+   * End the stream.
+   *
+   * @api public
+   */
+
+  close () {
+    if (this.closed) return
+    this.stream.end()
+    this.cleanup()
+  }
+
+  /**
+   * Write `chunk` unless the stream is closed or no longer the body.
+   *
+   * @param {String} chunk
+   * @return {Boolean}
+   * @api private
+   */
+
+  write (chunk) {
+    if (this.closed) return false
+    if (this.ctx.body !== this.stream) {
+      this.stream.destroy()
+      return false
+    }
+    return this.stream.write(chunk)
+  }
+
+  /**
+   * Stop the timers.
+   *
+   * @api private
+   */
+
+  cleanup () {
+    this.closed = true
+    clearInterval(this.heartbeat)
+  }
+}
+
+/**
+ * Check that an event field fits on one line.
+ *
+ * @param {String} name
+ * @param {String|Number} value
+ * @return {String}
+ * @api private
+ */
+
+function field (name, value) {
+  value = String(value)
+  if (/[\r\n\0]/.test(value)) throw new TypeError(`invalid event ${name}: ${value}`)
+  return value
+}
@@ -0,0 +1,117 @@
+'use strict'
+
+/**
+ * Module dependencies.
+ */
+
+const { PassThrough } = require('node:stream')
+
+/**
+ * An imperative writer over a stream set as the response body, see
+ * `response.writer()`. The stream is piped by `respond()` like any
+ * other body, so headers, compression and errors go through Koa, but
+ * as soon as the writer is created rather than when the middleware
+ * returns: writes resolve when the response has drained.
+ *
+ * The body ends when the middleware returns, if `end()` was not
+ * called, and is destroyed with the error if the middleware throws.
+ */
+
+module.exports = class ResponseWriter {
+  /**
+   * @param {Context} ctx
+   */
+
+  constructor (ctx) {
+    this.ctx = ctx
+    this.stream = new PassThrough()
+    ctx.body = this.stream
+    ctx.app.respondNow(ctx)
+  }
+
+  /**
+   * Write `chunk`. Rejects with an AbortError once the client is gone
+   * or the body has been replaced.
+   *
+   * @param {String|Buffer|Uint8Array} chunk
+   * @return {Promise<void>}
+   * @api public
+   */
+
+  write (chunk) {
+    const { stream } = this
+    if (!this.writable()) return Promise.reject(abortError())
+    if (stream.writableEnded) return Promise.reject(new Error('write after end'))
+
+    return new Promise((resolve, reject) => {
+      if (stream.write(chunk)) return resolve()
+
+      const done = (err) => {
+        stream.removeListener('drain', done)
+        stream.removeListener('close', onClose)
+        if (err) reject(err)
+        else resolve()
+      }
+      const onClose = () => done(abortError())
+      stream.once('drain', done)
+      stream.once('close', onClose)
+    })
+  }
+
+  /**
+   * End the body, optionally writing a last `chunk`. Resolves when
+   * everything written has been handed to the response.
+   *
+   * @param {String|Buffer|Uint8Array} [chunk]
+   * @return {Promise<void>}
+   * @api public
+   */
+
+  end (chunk) {
+    const { stream } = this
+    if (!this.writable()) return Promise.reject(abortError())
+    if (stream.writableEnded) return Promise.reject(new Error('write after end'))
+
+    return new Promise((resolve, reject) => {
+      const done = (err) => {
+        stream.removeListener('finish', done)
+        stream.removeListener('close', onClose)
+        if (err) reject(err)
+        else resolve()
+      }
+      const onClose = () => done(abortError())
+      stream.once('finish', done)
+      stream.once('close', onClose)
+      stream.end(chunk)
+    })
+  }
+
+  /**
+   * Check the stream can still be written, destroying it if the body
+   * has been replaced and the replacement policy kept it alive.
+   *
+   * @return {Boolean}
+   * @api private
+   */
+
+  writable () {
+    const { stream } = this
+    if (stream.destroyed) return false
+    if (this.ctx.body !== stream) {
+      stream.destroy()
+      return false
+    }
+    return true
+  }
+}
+
+/**
+ * Create the error writes reject with once the response is gone.
+ *
+ * @return {DOMException}
+ * @api private
+ */
+
+function abortError () {
+  return new DOMException('The response was closed before the body was written', 'AbortError')
+}